@@ -0,0 +1,112 @@
+const {
+  DATE_PATTERN,
+  parseSlot,
+  clubTimeToDate,
+  getClubDate,
+  getWeekday,
+} = require("./clubTime");
+
+// Booking rules that need no database, kept here so they can be tested
+
+// Booking state machine: the statuses each status may move to
+const BOOKING_TRANSITIONS = {
+  pending: ["approved", "rejected", "cancelled"],
+  approved: ["paid", "rejected", "cancelled", "expired"],
+  paid: ["cancelled", "completed"],
+  rejected: [],
+  cancelled: [],
+  expired: [],
+  completed: [],
+};
+
+const canTransitionBooking = (from, to) =>
+  Boolean(BOOKING_TRANSITIONS[from]?.includes(to));
+
+// Booking statuses that keep their slots reserved
+const ACTIVE_BOOKING_STATUSES = ["pending", "approved", "paid"];
+
+// How much of a paid booking is refunded when the player cancels
+const CANCELLATION_POLICY = {
+  fullRefundHours: Number(process.env.CANCELLATION_FULL_REFUND_HOURS ?? 24),
+  partialRefundPercent: Number(
+    process.env.CANCELLATION_PARTIAL_REFUND_PERCENT ?? 50
+  ),
+};
+
+// When a booking starts (its earliest slot), or null if the slots can't be read
+const getBookingStart = (booking) => {
+  const starts = (booking.slots || [])
+    .map(parseSlot)
+    .filter(Boolean)
+    .map((slot) => slot.start);
+  if (!starts.length || !DATE_PATTERN.test(booking.date || "")) return null;
+
+  return clubTimeToDate(booking.date, Math.min(...starts));
+};
+
+// Refund percentage for a player cancelling a booking at `now`
+const getRefundPercent = (booking, now = new Date()) => {
+  const start = getBookingStart(booking);
+  if (!start || start <= now) return 0;
+
+  const hoursUntilStart = (start - now) / (60 * 60 * 1000);
+  if (hoursUntilStart >= CANCELLATION_POLICY.fullRefundHours) return 100;
+  if (booking.date === getClubDate(now)) return 0;
+  return CANCELLATION_POLICY.partialRefundPercent;
+};
+
+// Why a court can't be booked for a slot on a date (blackout date, maintenance
+// closure or outside its operating hours), or null when it is open
+const getScheduleConflict = (court, date, slot) => {
+  const range = parseSlot(slot);
+  const overlaps = (other) =>
+    !range || !other || (other.start < range.end && range.start < other.end);
+
+  const blackout = (court.blackoutDates || []).find(
+    (entry) => entry.date === date
+  );
+  if (blackout) {
+    return `Closed on ${date}${blackout.reason ? `: ${blackout.reason}` : ""}`;
+  }
+
+  const closure = (court.closures || []).find(
+    (entry) =>
+      entry.startDate <= date &&
+      date <= entry.endDate &&
+      (!entry.time || overlaps(parseSlot(entry.time)))
+  );
+  if (closure) {
+    return `Closed for maintenance${
+      closure.reason ? `: ${closure.reason}` : ""
+    }`;
+  }
+
+  if (court.operatingHours && range) {
+    const weekday = getWeekday(date);
+    const open = (court.operatingHours[weekday] || [])
+      .map(parseSlot)
+      .some(
+        (hours) => hours && hours.start <= range.start && range.end <= hours.end
+      );
+    if (!open) return `Outside opening hours on ${weekday}`;
+  }
+
+  return null;
+};
+
+// The slots a court is closed for on a date, with the reason for each
+const findClosedSlots = (court, date, slots) =>
+  slots
+    .map((slot) => ({ slot, reason: getScheduleConflict(court, date, slot) }))
+    .filter((entry) => entry.reason);
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  canTransitionBooking,
+  ACTIVE_BOOKING_STATUSES,
+  CANCELLATION_POLICY,
+  getBookingStart,
+  getRefundPercent,
+  getScheduleConflict,
+  findClosedSlots,
+};
@@ -0,0 +1,119 @@
+// Calendar dates, slot times and the club's time zone
+
+// Booking dates are plain calendar days, e.g. "2025-07-20"
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Keys of a court's weekly operating hours, in Date#getUTCDay() order
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Wall-clock times (slots, booking dates) are in the club's own time zone
+const CLUB_TIMEZONE = process.env.CLUB_TIMEZONE || "UTC";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shift a "YYYY-MM-DD" date by a number of days
+const addDays = (date, days) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .slice(0, 10);
+};
+
+// Parse "7:00 AM", "19:00" or "7pm" into minutes after midnight
+const parseClockTime = (value) => {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase()[0];
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "p" ? 12 : 0);
+  }
+
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+// Parse a slot like "7:00 AM - 8:00 AM" into { start, end } minutes after midnight
+const parseSlot = (slot) => {
+  const parts = String(slot).split(/\s*[-–]\s*/);
+  if (parts.length !== 2) return null;
+
+  const start = parseClockTime(parts[0]);
+  let end = parseClockTime(parts[1]);
+  if (start === null || end === null) return null;
+
+  if (end <= start) end += 24 * 60; // runs past midnight
+  return { start, end };
+};
+
+// Offset (ms) of the club's time zone from UTC at a given instant
+const getClubTimeZoneOffset = (timestamp) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: CLUB_TIMEZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Turn a club wall-clock time ("2025-07-20", 420 minutes) into a real Date
+const clubTimeToDate = (date, minutes) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Two passes so times right after a DST switch land on the right offset
+  const firstGuess = wallClock - getClubTimeZoneOffset(wallClock);
+  return new Date(wallClock - getClubTimeZoneOffset(firstGuess));
+};
+
+// Today's date at the club, as "YYYY-MM-DD"
+const getClubDate = (now = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: CLUB_TIMEZONE }).format(now);
+
+// Weekday name of a "YYYY-MM-DD" date, matching the WEEKDAYS keys
+const getWeekday = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+module.exports = {
+  DATE_PATTERN,
+  WEEKDAYS,
+  CLUB_TIMEZONE,
+  DAY_MS,
+  addDays,
+  parseClockTime,
+  parseSlot,
+  clubTimeToDate,
+  getClubDate,
+  getWeekday,
+};
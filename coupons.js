@@ -0,0 +1,121 @@
+// Coupon rules that need no database, kept here so they can be tested
+
+// Parse the rule fields of a coupon body. Only fields present are returned
+const parseCouponRules = (body) => {
+  const rules = {};
+
+  if (body.discountType !== undefined) {
+    if (!["fixed", "percent"].includes(body.discountType)) {
+      return { error: "discountType must be 'fixed' or 'percent'" };
+    }
+    rules.discountType = body.discountType;
+  }
+
+  const numberFields = [
+    "discountAmount",
+    "discountPercent",
+    "maxDiscount",
+    "minSpend",
+    "usageLimit",
+    "perUserLimit",
+  ];
+  for (const field of numberFields) {
+    if (body[field] === undefined || body[field] === "") continue;
+    if (body[field] === null) {
+      rules[field] = null; // clears the rule
+      continue;
+    }
+
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    rules[field] = value;
+  }
+
+  if (rules.discountPercent > 100) {
+    return { error: "discountPercent cannot be more than 100" };
+  }
+
+  for (const field of ["startsAt", "expiresAt"]) {
+    if (body[field] === undefined || body[field] === "") continue;
+    if (body[field] === null) {
+      rules[field] = null;
+      continue;
+    }
+
+    const value = new Date(body[field]);
+    if (Number.isNaN(value.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+    rules[field] = value;
+  }
+
+  if (body.courtIds !== undefined) {
+    if (!Array.isArray(body.courtIds)) {
+      return { error: "courtIds must be an array" };
+    }
+    rules.courtIds = body.courtIds.map(String);
+  }
+
+  if (body.membersOnly !== undefined) {
+    rules.membersOnly =
+      body.membersOnly === true || body.membersOnly === "true";
+  }
+
+  return { rules };
+};
+
+// Check a whole coupon — stored fields merged with any changes — can be
+// applied. Returns an error message, or null when it is usable
+const checkCoupon = (coupon) => {
+  const discountType = coupon.discountType || "fixed";
+  if (discountType === "fixed" && !coupon.discountAmount) {
+    return "discountAmount is required";
+  }
+  if (discountType === "percent" && !coupon.discountPercent) {
+    return "discountPercent is required";
+  }
+
+  if (
+    coupon.startsAt &&
+    coupon.expiresAt &&
+    new Date(coupon.startsAt) > new Date(coupon.expiresAt)
+  ) {
+    return "startsAt must be before expiresAt";
+  }
+
+  return null;
+};
+
+// Check the rules of a coupon that need no lookups: its active dates, its
+// usage limit (0 means none) and its courts. Returns an error message, or
+// null when it can be used
+const getCouponUnavailability = (
+  coupon,
+  { courtId, now = new Date() } = {}
+) => {
+  if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+    return "Coupon is not active yet";
+  }
+
+  if (coupon.expiresAt && now > new Date(coupon.expiresAt)) {
+    return "Coupon has expired";
+  }
+
+  if (coupon.usageLimit && (coupon.redemptionCount || 0) >= coupon.usageLimit) {
+    return "Coupon usage limit reached";
+  }
+
+  if (
+    coupon.courtIds?.length &&
+    courtId &&
+    !coupon.courtIds.includes(String(courtId))
+  ) {
+    return "Coupon is not valid for this court";
+  }
+
+  return null;
+};
+
+module.exports = { parseCouponRules, checkCoupon, getCouponUnavailability };
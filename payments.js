@@ -0,0 +1,365 @@
+const { ObjectId } = require("mongodb");
+
+// Records Stripe payments against bookings and booking series. Everything it
+// works with is passed in — the collections, the Stripe client and the
+// booking, coupon, notification and invoice helpers from index.js — so the
+// real recorders can run against stand-in collections in tests
+const createPaymentRecorder = ({
+  stripe,
+  bookingsCollection,
+  paymentsCollection,
+  bookingSeriesCollection,
+  transitionBooking,
+  releaseSlotLocks,
+  redeemCoupon,
+  enqueueNotification,
+  assignInvoiceNumber,
+}) => {
+  // Mark a booking paid by a payment. Resolves to false when the booking can't
+  // take it: it expired, was cancelled or rejected, or another payment paid it
+  // first. A booking this payment already paid stays claimed by it whatever
+  // happened since (cancelled, completed), so calling again is safe
+  const claimBookingForPayment = async (booking, paymentIntent, paidAmount) => {
+    const paidByThis = (entry) => entry?.transactionId === paymentIntent.id;
+
+    if (paidByThis(booking)) return true;
+    if (booking.status !== "approved") return false;
+
+    const updated = await transitionBooking(booking, "paid", {
+      by: "stripe",
+      set: {
+        paymentStatus: "paid",
+        transactionId: paymentIntent.id,
+        paidAmount,
+      },
+      notify: !booking.seriesId,
+    });
+    if (updated) return true;
+
+    // Changed meanwhile, perhaps by a redelivery of this same payment
+    return paidByThis(await bookingsCollection.findOne({ _id: booking._id }));
+  };
+
+  // Give back the part of a payment that came in for bookings it can no longer
+  // pay for. The amount is decided once, when the payment is first recorded
+  // (`refundPending`); replays of the same payment never work it out again.
+  // Stripe then reports the refund through charge.refunded
+  const refundUnusablePayment = async (payment) => {
+    if (!payment.refundPending) return;
+
+    const amountCents = Math.round(payment.refundedAmount * 100);
+    console.warn(
+      `Refunding ${amountCents} cents of payment ${payment.transactionId}: its bookings can't be paid any more`
+    );
+    await stripe.refunds.create(
+      {
+        payment_intent: payment.transactionId,
+        amount: amountCents,
+        metadata: { reason: "booking_unavailable" },
+      },
+      { idempotencyKey: `unusable-${payment.transactionId}` }
+    );
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      { $unset: { refundPending: "" } }
+    );
+  };
+
+  // Record a succeeded payment intent and mark its booking paid (idempotent)
+  const recordSucceededPayment = async (paymentIntent) => {
+    const { bookingId, email, couponCode, discountApplied } =
+      paymentIntent.metadata || {};
+
+    // Not one of our booking payments (made before bookings were recorded
+    // from metadata, or by another integration on the account): nothing to do,
+    // and failing would only make Stripe retry it for days
+    if (!bookingId || !ObjectId.isValid(bookingId)) {
+      console.warn(`Payment ${paymentIntent.id} has no bookingId metadata`);
+      return null;
+    }
+
+    const booking = await bookingsCollection.findOne({
+      _id: new ObjectId(bookingId),
+    });
+
+    if (!booking) {
+      throw new Error(`Booking ${bookingId} for payment not found`);
+    }
+
+    const paidAmount = paymentIntent.amount_received / 100;
+    const accepted = await claimBookingForPayment(
+      booking,
+      paymentIntent,
+      paidAmount
+    );
+
+    const payment = await paymentsCollection.findOneAndUpdate(
+      { transactionId: paymentIntent.id },
+      {
+        $setOnInsert: {
+          transactionId: paymentIntent.id,
+          bookingId,
+          email: email || booking.userEmail,
+          name: booking.userName || null,
+          courtId: booking.courtId,
+          courtName: booking.courtName || null,
+          slots: booking.slots,
+          price: paymentIntent.amount_received / 100,
+          date: booking.date,
+          couponCode: couponCode || null,
+          discountApplied: Number(discountApplied) || 0,
+          status: accepted ? "paid" : "refunded",
+          ...(!accepted && {
+            refundedAmount: paidAmount,
+            refundReason: `Booking was ${booking.status} when paid`,
+            refundPending: true,
+          }),
+          paidAt: new Date(paymentIntent.created * 1000),
+        },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    await refundUnusablePayment(payment);
+    if (!accepted) return payment;
+
+    if (payment.couponCode) {
+      await redeemCoupon(payment);
+    }
+
+    await enqueueNotification(
+      payment.email,
+      "payment.receipt",
+      { payment: await assignInvoiceNumber(payment) },
+      { key: `receipt:${payment.transactionId}` }
+    );
+
+    await bookingsCollection.updateOne(
+      { _id: booking._id },
+      { $unset: { paymentError: "" } }
+    );
+
+    return payment;
+  };
+
+  // Record a succeeded payment for a booking series and mark the occurrences
+  // it was checked out for as paid (idempotent, like recordSucceededPayment)
+  const recordSeriesPayment = async (paymentIntent) => {
+    const { seriesId, email, couponCode, discountApplied } =
+      paymentIntent.metadata;
+
+    const series = ObjectId.isValid(seriesId)
+      ? await bookingSeriesCollection.findOne({
+          _id: new ObjectId(seriesId),
+        })
+      : null;
+    if (!series) {
+      throw new Error(`Booking series ${seriesId} for payment not found`);
+    }
+
+    // Stripe may call before the checkout is saved; failing makes it retry
+    const checkout = series.checkouts?.find(
+      (entry) => entry.transactionId === paymentIntent.id
+    );
+    if (!checkout) {
+      throw new Error(
+        `Payment ${paymentIntent.id} has no checkout on series ${seriesId}`
+      );
+    }
+
+    // Each occurrence takes its share of the payment; shares of occurrences
+    // that can't be paid any more are refunded together
+    const occurrences = await bookingsCollection
+      .find({
+        _id: {
+          $in: checkout.occurrences.map(
+            (share) => new ObjectId(share.bookingId)
+          ),
+        },
+      })
+      .toArray();
+
+    const acceptedShares = [];
+    for (const share of checkout.occurrences) {
+      const booking = occurrences.find(
+        (entry) => String(entry._id) === share.bookingId
+      );
+      if (
+        booking &&
+        (await claimBookingForPayment(booking, paymentIntent, share.amount))
+      ) {
+        acceptedShares.push(share);
+      }
+    }
+
+    const refundCents = acceptedShares.length
+      ? checkout.occurrences
+          .filter((share) => !acceptedShares.includes(share))
+          .reduce((sum, share) => sum + Math.round(share.amount * 100), 0)
+      : paymentIntent.amount_received;
+
+    const payment = await paymentsCollection.findOneAndUpdate(
+      { transactionId: paymentIntent.id },
+      {
+        $setOnInsert: {
+          transactionId: paymentIntent.id,
+          type: "series",
+          seriesId,
+          bookingIds: acceptedShares.map((share) => share.bookingId),
+          email: email || series.userEmail,
+          name: series.userName || null,
+          courtId: series.courtId,
+          courtName: series.courtName || null,
+          slots: series.slots,
+          dates: acceptedShares.map((share) => share.date),
+          price: paymentIntent.amount_received / 100,
+          couponCode: couponCode || null,
+          discountApplied: Number(discountApplied) || 0,
+          status: !refundCents
+            ? "paid"
+            : acceptedShares.length
+            ? "partially_refunded"
+            : "refunded",
+          ...(refundCents > 0 && {
+            refundedAmount: refundCents / 100,
+            refundPending: true,
+            refundedBookingIds: checkout.occurrences
+              .filter((share) => !acceptedShares.includes(share))
+              .map((share) => share.bookingId),
+          }),
+          paidAt: new Date(paymentIntent.created * 1000),
+        },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    await refundUnusablePayment(payment);
+    if (!acceptedShares.length) return payment;
+
+    if (payment.couponCode) {
+      await redeemCoupon(payment);
+    }
+
+    await enqueueNotification(
+      payment.email,
+      "payment.receipt",
+      { payment: await assignInvoiceNumber(payment) },
+      { key: `receipt:${payment.transactionId}` }
+    );
+
+    await bookingsCollection.updateMany(
+      {
+        _id: {
+          $in: acceptedShares.map((share) => new ObjectId(share.bookingId)),
+        },
+      },
+      { $unset: { paymentError: "" } }
+    );
+
+    return payment;
+  };
+
+  // Record a failed payment attempt on its booking (or a series' occurrences)
+  const recordFailedPayment = async (paymentIntent) => {
+    const { bookingId, seriesId } = paymentIntent.metadata || {};
+    const filter =
+      bookingId && ObjectId.isValid(bookingId)
+        ? { _id: new ObjectId(bookingId) }
+        : seriesId
+        ? { seriesId, status: "approved" }
+        : null;
+    if (!filter) return;
+
+    await bookingsCollection.updateMany(
+      { ...filter, paymentStatus: { $ne: "paid" } },
+      {
+        $set: {
+          paymentStatus: "failed",
+          paymentError:
+            paymentIntent.last_payment_error?.message || "Payment failed",
+        },
+      }
+    );
+  };
+
+  // Record a refunded charge; a full refund cancels the booking
+  const recordRefundedCharge = async (charge) => {
+    const transactionId = charge.payment_intent;
+    const fullyRefunded = charge.amount_refunded >= charge.amount;
+
+    const payment = await paymentsCollection.findOneAndUpdate(
+      { transactionId },
+      {
+        $set: {
+          status: fullyRefunded ? "refunded" : "partially_refunded",
+          refundedAmount: charge.amount_refunded / 100,
+          refundedAt: new Date(),
+        },
+        $unset: { refundPending: "" },
+      },
+      { returnDocument: "after" }
+    );
+
+    if (!payment) {
+      console.warn(`Refund for unknown payment ${transactionId}`);
+      return;
+    }
+
+    // A series payment fully refunded cancels every occurrence still paid;
+    // partial refunds were already booked against the occurrence cancelled
+    if (payment.bookingIds) {
+      if (!fullyRefunded) return;
+
+      const occurrences = await bookingsCollection
+        .find({
+          _id: { $in: payment.bookingIds.map((id) => new ObjectId(id)) },
+          status: "paid",
+          transactionId,
+        })
+        .toArray();
+
+      for (const booking of occurrences) {
+        await transitionBooking(booking, "cancelled", {
+          by: "stripe",
+          note: "Payment refunded",
+          notify: false,
+        });
+        await releaseSlotLocks(booking._id);
+        await bookingsCollection.updateOne(
+          { _id: booking._id },
+          { $set: { paymentStatus: "refunded" } }
+        );
+      }
+      return;
+    }
+
+    // Membership payments have no booking to update
+    if (!payment.bookingId) return;
+
+    // A refunded late payment never paid the booking, so leave it alone
+    const booking = await bookingsCollection.findOneAndUpdate(
+      { _id: new ObjectId(payment.bookingId), transactionId },
+      { $set: { paymentStatus: payment.status } },
+      { returnDocument: "after" }
+    );
+
+    if (fullyRefunded) {
+      if (booking?.status === "paid") {
+        await transitionBooking(booking, "cancelled", {
+          by: "stripe",
+          note: "Payment refunded",
+        });
+        await releaseSlotLocks(booking._id);
+      }
+    }
+  };
+
+  return {
+    recordSucceededPayment,
+    recordSeriesPayment,
+    recordFailedPayment,
+    recordRefundedCharge,
+  };
+};
+
+module.exports = { createPaymentRecorder };
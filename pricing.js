@@ -0,0 +1,79 @@
+const { parseSlot, getWeekday } = require("./clubTime");
+
+// Booking prices that need no database, kept here so they can be tested
+
+// Price of one slot on a date in cents, from the court's base price and its
+// pricing rules. Rules match on weekday `days`, a `time` window the slot starts
+// in, a `startDate`-`endDate` season and `audience` (members / non-members).
+// The last matching rule with a `price` sets the rate; `adjustPercent` and
+// `surcharge` of every matching rule are added on top.
+// Returns { cents, rules } with the labels of the rules applied
+const priceSlot = (court, date, slot, { member = false } = {}) => {
+  const range = parseSlot(slot);
+  const weekday = getWeekday(date);
+
+  let cents = Math.round(Number(court.price) * 100);
+  let adjustPercent = 0;
+  let surchargeCents = 0;
+  const rules = [];
+
+  (court.pricingRules || []).forEach((rule, index) => {
+    if (rule.days?.length && !rule.days.includes(weekday)) return;
+    if (rule.startDate && date < rule.startDate) return;
+    if (rule.endDate && date > rule.endDate) return;
+    if (rule.audience === "members" && !member) return;
+    if (rule.audience === "non-members" && member) return;
+    if (rule.time) {
+      const window = parseSlot(rule.time);
+      if (!range || !window) return;
+      if (range.start < window.start || range.start >= window.end) return;
+    }
+
+    if (rule.price !== undefined) cents = Math.round(rule.price * 100);
+    adjustPercent += rule.adjustPercent || 0;
+    surchargeCents += Math.round((rule.surcharge || 0) * 100);
+    rules.push(rule.label || `Rule ${index + 1}`);
+  });
+
+  return {
+    cents: Math.max(
+      0,
+      Math.round((cents * (100 + adjustPercent)) / 100) + surchargeCents
+    ),
+    rules,
+  };
+};
+
+// A member plan's discount on a subtotal, in cents
+const getMemberDiscount = (subtotalCents, membership) =>
+  Math.round(
+    (subtotalCents * (Number(membership?.benefits?.discountPercent) || 0)) / 100
+  );
+
+// A coupon's discount on a subtotal in cents: a percentage (up to
+// `maxDiscount`) or a fixed amount, never more than the subtotal.
+// Returns { discountCents }, or { error } below the coupon's minimum spend
+const getCouponDiscount = (coupon, subtotalCents) => {
+  if (coupon.minSpend && subtotalCents < Math.round(coupon.minSpend * 100)) {
+    return { error: `A minimum spend of $${coupon.minSpend} is required` };
+  }
+
+  let discountCents;
+  if (coupon.discountType === "percent") {
+    discountCents = Math.round(
+      (subtotalCents * (Number(coupon.discountPercent) || 0)) / 100
+    );
+    if (coupon.maxDiscount) {
+      discountCents = Math.min(
+        discountCents,
+        Math.round(coupon.maxDiscount * 100)
+      );
+    }
+  } else {
+    discountCents = Math.round((Number(coupon.discountAmount) || 0) * 100);
+  }
+
+  return { discountCents: Math.min(discountCents, subtotalCents) };
+};
+
+module.exports = { priceSlot, getMemberDiscount, getCouponDiscount };
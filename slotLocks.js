@@ -0,0 +1,193 @@
+const { ObjectId } = require("mongodb");
+const { getClubDate } = require("./clubTime");
+const { ACTIVE_BOOKING_STATUSES } = require("./bookingPolicy");
+
+// Slot locks: one document per court, date and slot, kept unique by an index,
+// so two bookings can never hold the same slot. Waitlist holds are locks too.
+// The collections and the publish and notification helpers from index.js are
+// passed in, so the locking can run against stand-in collections in tests
+const createSlotLocks = ({
+  slotLocksCollection,
+  bookingsCollection,
+  waitlistCollection,
+  publishSlotChange,
+  enqueueNotification,
+  holdMinutes,
+}) => {
+  // Find locks on a booking's slots that belong to other bookings
+  const findSlotConflicts = async (booking) => {
+    const locks = await slotLocksCollection
+      .find({
+        courtId: String(booking.courtId),
+        date: booking.date,
+        slot: { $in: booking.slots },
+      })
+      .toArray();
+
+    return locks.filter(
+      (lock) =>
+        lock.bookingId !== String(booking._id) &&
+        !isHoldFor(lock, booking.userEmail)
+    );
+  };
+
+  // A waitlist hold is a lock with no booking, kept for one user until it expires
+  const isHoldFor = (lock, email) =>
+    Boolean(lock.holdFor) && lock.holdFor === email;
+
+  // Reserve a booking's slots. Returns the conflicting slots (empty on success).
+  // Slots held for the booking's user off the waitlist are theirs to take
+  const acquireSlotLocks = async (booking) => {
+    const courtId = String(booking.courtId);
+    const bookingId = String(booking._id);
+
+    const existing = await slotLocksCollection
+      .find({ courtId, date: booking.date, slot: { $in: booking.slots } })
+      .toArray();
+
+    const conflicts = existing.filter(
+      (lock) =>
+        lock.bookingId !== bookingId && !isHoldFor(lock, booking.userEmail)
+    );
+    if (conflicts.length) {
+      return conflicts.map((lock) => lock.slot);
+    }
+
+    // Bookings made before slot locks existed hold none, so check the
+    // bookings themselves too
+    const overlapping = await bookingsCollection
+      .find({
+        _id: { $ne: booking._id },
+        courtId,
+        date: booking.date,
+        slots: { $in: booking.slots },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      })
+      .project({ slots: 1 })
+      .toArray();
+    if (overlapping.length) {
+      return booking.slots.filter((slot) =>
+        overlapping.some((entry) => entry.slots.includes(slot))
+      );
+    }
+
+    // Slots this booking doesn't hold yet (legacy bookings hold none)
+    const owned = existing.map((lock) => lock.slot);
+    const missing = booking.slots.filter((slot) => !owned.includes(slot));
+
+    if (missing.length) {
+      try {
+        await slotLocksCollection.insertMany(
+          missing.map((slot) => ({
+            courtId,
+            date: booking.date,
+            slot,
+            bookingId,
+            createdAt: new Date(),
+          })),
+          { ordered: false }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Lost a race for at least one slot — give back the ones we did get
+        const lost = await findSlotConflicts(booking);
+        await slotLocksCollection.deleteMany({
+          bookingId,
+          slot: { $in: missing },
+        });
+        return lost.map((lock) => lock.slot);
+      }
+    }
+
+    if (missing.length) {
+      publishSlotChange(courtId, booking.date, missing);
+    }
+
+    const holds = existing.filter((lock) => isHoldFor(lock, booking.userEmail));
+    if (holds.length) {
+      await slotLocksCollection.updateMany(
+        {
+          _id: { $in: holds.map((lock) => lock._id) },
+          holdFor: booking.userEmail,
+        },
+        {
+          $set: { bookingId },
+          $unset: { holdFor: "", waitlistId: "", expiresAt: "" },
+        }
+      );
+      await waitlistCollection.updateMany(
+        { _id: { $in: holds.map((lock) => new ObjectId(lock.waitlistId)) } },
+        { $set: { status: "booked", bookingId, bookedAt: new Date() } }
+      );
+    }
+
+    return [];
+  };
+
+  // Hold a freed slot for the first user waiting on it and let them know
+  const offerSlot = async ({ courtId, date, slot }) => {
+    if (date < getClubDate()) return;
+
+    const now = new Date();
+    const holdExpiresAt = new Date(now.getTime() + holdMinutes * 60 * 1000);
+
+    const entry = await waitlistCollection.findOneAndUpdate(
+      { courtId, date, slot, status: "waiting" },
+      { $set: { status: "offered", offeredAt: now, holdExpiresAt } },
+      { sort: { createdAt: 1 }, returnDocument: "after" }
+    );
+    if (!entry) return;
+
+    try {
+      await slotLocksCollection.insertOne({
+        courtId,
+        date,
+        slot,
+        bookingId: null,
+        holdFor: entry.email,
+        waitlistId: String(entry._id),
+        expiresAt: holdExpiresAt,
+        createdAt: now,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Someone booked it first; the entry keeps its place in the queue
+      await waitlistCollection.updateOne(
+        { _id: entry._id },
+        {
+          $set: { status: "waiting" },
+          $unset: { offeredAt: "", holdExpiresAt: "" },
+        }
+      );
+      return;
+    }
+
+    await enqueueNotification(entry.email, "waitlist.offered", { entry });
+  };
+
+  // Free every slot held by a booking and offer each to its waitlist
+  const releaseSlotLocks = async (bookingId) => {
+    const locks = await slotLocksCollection
+      .find({ bookingId: String(bookingId) })
+      .toArray();
+    if (!locks.length) return;
+
+    await slotLocksCollection.deleteMany({ bookingId: String(bookingId) });
+
+    for (const lock of locks) {
+      await offerSlot(lock);
+      publishSlotChange(lock.courtId, lock.date, [lock.slot]);
+    }
+  };
+
+  return {
+    isHoldFor,
+    acquireSlotLocks,
+    offerSlot,
+    releaseSlotLocks,
+  };
+};
+
+module.exports = { createSlotLocks };
@@ -0,0 +1,57 @@
+// Stripe webhook route handler: checks the signature and passes each event we
+// act on to its handler. Kept out of index.js so it can be run against signed
+// fixture events and stand-in handlers, without a database or network access.
+//
+// handlers: membershipPayment, seriesPayment and bookingPayment receive a
+// succeeded payment intent; paymentFailed a failed one; chargeRefunded a
+// refunded charge. The route needs the raw request body as req.rawBody
+const createStripeWebhookHandler =
+  ({ stripe, secret, handlers }) =>
+  async (req, res) => {
+    let event;
+
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        secret
+      );
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: `Webhook signature invalid: ${error.message}` });
+    }
+
+    try {
+      const object = event.data.object;
+
+      switch (event.type) {
+        case "payment_intent.succeeded":
+          if (object.metadata?.type === "membership") {
+            await handlers.membershipPayment(object);
+          } else if (object.metadata?.seriesId) {
+            await handlers.seriesPayment(object);
+          } else {
+            await handlers.bookingPayment(object);
+          }
+          break;
+        case "payment_intent.payment_failed":
+          await handlers.paymentFailed(object);
+          break;
+        case "charge.refunded":
+          await handlers.chargeRefunded(object);
+          break;
+        default:
+          // Not an event we act on
+          break;
+      }
+
+      res.status(200).json({ received: true });
+    } catch (error) {
+      // A non-2xx response makes Stripe retry the event later
+      console.error(`Stripe webhook ${event.type} failed:`, error);
+      res.status(500).json({ error: "Webhook handling failed" });
+    }
+  };
+
+module.exports = { createStripeWebhookHandler };
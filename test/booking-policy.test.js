@@ -0,0 +1,62 @@
+// Cancellation refunds, worked out in a club time zone with daylight saving
+process.env.CLUB_TIMEZONE = "America/New_York";
+process.env.CANCELLATION_FULL_REFUND_HOURS = "24";
+process.env.CANCELLATION_PARTIAL_REFUND_PERCENT = "50";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getBookingStart, getRefundPercent } = require("../bookingPolicy");
+
+const booking = { date: "2026-11-02", slots: ["7:00 PM - 8:00 PM"] };
+
+test("a booking starts at its earliest slot, club time", () => {
+  assert.deepEqual(
+    getBookingStart({
+      date: "2026-11-02",
+      slots: ["8:00 PM - 9:00 PM", "7:00 PM - 8:00 PM"],
+    }),
+    new Date("2026-11-03T00:00:00Z")
+  );
+  assert.equal(getBookingStart({ date: "2026-11-02", slots: ["soon"] }), null);
+});
+
+test("cancelling at least a day ahead refunds everything", () => {
+  assert.equal(
+    getRefundPercent(booking, new Date("2026-11-02T00:00:00Z")),
+    100
+  );
+});
+
+test("cancelling later, before the day of play, refunds part", () => {
+  // 21 hours ahead, 10 PM the evening before at the club
+  assert.equal(getRefundPercent(booking, new Date("2026-11-02T03:00:00Z")), 50);
+});
+
+test("cancelling on the day of play refunds nothing", () => {
+  assert.equal(getRefundPercent(booking, new Date("2026-11-02T12:00:00Z")), 0);
+});
+
+test("cancelling after the start refunds nothing", () => {
+  assert.equal(getRefundPercent(booking, new Date("2026-11-03T00:30:00Z")), 0);
+});
+
+test("unreadable slots refund nothing", () => {
+  assert.equal(
+    getRefundPercent(
+      { date: "2026-11-02", slots: ["evening"] },
+      new Date("2026-10-01T00:00:00Z")
+    ),
+    0
+  );
+});
+
+test("the full refund cut-off follows the clocks changing", () => {
+  // Clocks go forward at 2 AM on 2026-03-08, so 7 AM that day is 11:00 UTC
+  const morning = { date: "2026-03-08", slots: ["7:00 AM - 8:00 AM"] };
+
+  assert.equal(
+    getRefundPercent(morning, new Date("2026-03-07T11:00:00Z")),
+    100
+  );
+  assert.equal(getRefundPercent(morning, new Date("2026-03-07T11:30:00Z")), 50);
+});
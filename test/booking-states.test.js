@@ -0,0 +1,54 @@
+// The booking state machine
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  BOOKING_TRANSITIONS,
+  canTransitionBooking,
+} = require("../bookingPolicy");
+
+test("bookings move forward through approval and payment", () => {
+  assert.ok(canTransitionBooking("pending", "approved"));
+  assert.ok(canTransitionBooking("approved", "paid"));
+  assert.ok(canTransitionBooking("paid", "completed"));
+});
+
+test("only unpaid approved bookings expire", () => {
+  assert.ok(canTransitionBooking("approved", "expired"));
+  assert.equal(canTransitionBooking("pending", "expired"), false);
+  assert.equal(canTransitionBooking("paid", "expired"), false);
+});
+
+test("paid bookings can't be rejected or sent back", () => {
+  assert.equal(canTransitionBooking("paid", "rejected"), false);
+  assert.equal(canTransitionBooking("paid", "approved"), false);
+  assert.equal(canTransitionBooking("paid", "pending"), false);
+});
+
+test("bookings skip no steps", () => {
+  assert.equal(canTransitionBooking("pending", "paid"), false);
+  assert.equal(canTransitionBooking("pending", "completed"), false);
+});
+
+test("rejected, cancelled, expired and completed bookings are final", () => {
+  for (const status of ["rejected", "cancelled", "expired", "completed"]) {
+    for (const to of Object.keys(BOOKING_TRANSITIONS)) {
+      assert.equal(
+        canTransitionBooking(status, to),
+        false,
+        `${status} → ${to}`
+      );
+    }
+  }
+});
+
+test("unknown statuses go nowhere", () => {
+  assert.equal(canTransitionBooking("archived", "pending"), false);
+  assert.equal(canTransitionBooking("pending", "archived"), false);
+  assert.equal(canTransitionBooking(undefined, "approved"), false);
+});
+
+test("every status a booking can move to is a known status", () => {
+  for (const targets of Object.values(BOOKING_TRANSITIONS)) {
+    for (const to of targets) assert.ok(to in BOOKING_TRANSITIONS, to);
+  }
+});
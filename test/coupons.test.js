@@ -0,0 +1,137 @@
+// Coupon rules: parsing admin input and checking a coupon can be used
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseCouponRules,
+  checkCoupon,
+  getCouponUnavailability,
+} = require("../coupons");
+
+test("coupon rules are parsed from strings and numbers", () => {
+  assert.deepEqual(
+    parseCouponRules({
+      discountType: "percent",
+      discountPercent: "15",
+      maxDiscount: 10,
+      usageLimit: "0",
+      startsAt: "2026-11-01T00:00:00Z",
+      courtIds: ["64b000000000000000000001"],
+      membersOnly: "true",
+    }),
+    {
+      rules: {
+        discountType: "percent",
+        discountPercent: 15,
+        maxDiscount: 10,
+        usageLimit: 0,
+        startsAt: new Date("2026-11-01T00:00:00Z"),
+        courtIds: ["64b000000000000000000001"],
+        membersOnly: true,
+      },
+    }
+  );
+});
+
+test("only the coupon rules given are returned", () => {
+  assert.deepEqual(parseCouponRules({ title: "Spring", minSpend: "" }), {
+    rules: {},
+  });
+});
+
+test("null clears a coupon rule", () => {
+  assert.deepEqual(parseCouponRules({ maxDiscount: null, expiresAt: null }), {
+    rules: { maxDiscount: null, expiresAt: null },
+  });
+});
+
+test("bad coupon rules are refused", () => {
+  assert.deepEqual(parseCouponRules({ discountType: "bogof" }), {
+    error: "discountType must be 'fixed' or 'percent'",
+  });
+  assert.deepEqual(parseCouponRules({ discountAmount: "five" }), {
+    error: "discountAmount must be a non-negative number",
+  });
+  assert.deepEqual(parseCouponRules({ usageLimit: -1 }), {
+    error: "usageLimit must be a non-negative number",
+  });
+  assert.deepEqual(parseCouponRules({ discountPercent: 101 }), {
+    error: "discountPercent cannot be more than 100",
+  });
+  assert.deepEqual(parseCouponRules({ expiresAt: "someday" }), {
+    error: "expiresAt must be a valid date",
+  });
+  assert.deepEqual(parseCouponRules({ courtIds: "court-1" }), {
+    error: "courtIds must be an array",
+  });
+});
+
+test("a coupon needs an amount for its discount type", () => {
+  assert.equal(checkCoupon({ discountAmount: 5 }), null);
+  assert.equal(checkCoupon({}), "discountAmount is required");
+  assert.equal(
+    checkCoupon({ discountType: "percent", discountAmount: 5 }),
+    "discountPercent is required"
+  );
+  assert.equal(
+    checkCoupon({ discountType: "percent", discountPercent: null }),
+    "discountPercent is required"
+  );
+});
+
+test("a coupon's dates are checked with its stored ones", () => {
+  // An update moving only the start, merged over the stored coupon
+  const stored = {
+    discountAmount: 5,
+    startsAt: new Date("2026-11-01T00:00:00Z"),
+    expiresAt: new Date("2026-11-30T00:00:00Z"),
+  };
+
+  assert.equal(
+    checkCoupon({ ...stored, startsAt: new Date("2026-12-01T00:00:00Z") }),
+    "startsAt must be before expiresAt"
+  );
+  assert.equal(checkCoupon({ ...stored, expiresAt: null }), null);
+});
+
+test("a coupon is usable only between its dates", () => {
+  const coupon = {
+    startsAt: new Date("2026-11-01T00:00:00Z"),
+    expiresAt: new Date("2026-11-30T00:00:00Z"),
+  };
+  const at = (now) => getCouponUnavailability(coupon, { now: new Date(now) });
+
+  assert.equal(at("2026-10-31T23:59:59Z"), "Coupon is not active yet");
+  assert.equal(at("2026-11-15T00:00:00Z"), null);
+  assert.equal(at("2026-11-30T00:00:01Z"), "Coupon has expired");
+});
+
+test("a coupon is usable until it reaches its usage limit", () => {
+  assert.equal(
+    getCouponUnavailability({ usageLimit: 3, redemptionCount: 2 }),
+    null
+  );
+  assert.equal(
+    getCouponUnavailability({ usageLimit: 3, redemptionCount: 3 }),
+    "Coupon usage limit reached"
+  );
+  // A limit of 0 means no limit
+  assert.equal(
+    getCouponUnavailability({ usageLimit: 0, redemptionCount: 50 }),
+    null
+  );
+});
+
+test("a court coupon is usable only on its courts", () => {
+  const coupon = { courtIds: ["64b000000000000000000001"] };
+
+  assert.equal(
+    getCouponUnavailability(coupon, { courtId: "64b000000000000000000001" }),
+    null
+  );
+  assert.equal(
+    getCouponUnavailability(coupon, { courtId: "64b000000000000000000002" }),
+    "Coupon is not valid for this court"
+  );
+  // Checked without a court, e.g. before one is chosen
+  assert.equal(getCouponUnavailability(coupon), null);
+});
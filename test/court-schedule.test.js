@@ -0,0 +1,91 @@
+// Court schedules: blackout dates, maintenance closures and operating hours
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getScheduleConflict, findClosedSlots } = require("../bookingPolicy");
+
+// 2026-11-02 is a Monday
+const monday = "2026-11-02";
+const morning = "9:00 AM - 10:00 AM";
+
+test("a court without a schedule is always open", () => {
+  assert.equal(getScheduleConflict({}, monday, morning), null);
+});
+
+test("a blackout date closes the court all day", () => {
+  const court = {
+    blackoutDates: [
+      { date: monday, reason: "Holiday" },
+      { date: "2026-11-09" },
+    ],
+  };
+
+  assert.equal(
+    getScheduleConflict(court, monday, morning),
+    "Closed on 2026-11-02: Holiday"
+  );
+  assert.equal(
+    getScheduleConflict(court, "2026-11-09", morning),
+    "Closed on 2026-11-09"
+  );
+  assert.equal(getScheduleConflict(court, "2026-11-03", morning), null);
+});
+
+test("a closure covers every day from its start date to its end date", () => {
+  const court = {
+    closures: [
+      { startDate: "2026-11-02", endDate: "2026-11-04", reason: "Resurfacing" },
+    ],
+  };
+  const at = (date) => getScheduleConflict(court, date, morning);
+
+  assert.equal(at("2026-11-01"), null);
+  assert.equal(at("2026-11-02"), "Closed for maintenance: Resurfacing");
+  assert.equal(at("2026-11-04"), "Closed for maintenance: Resurfacing");
+  assert.equal(at("2026-11-05"), null);
+});
+
+test("a closure with a time closes only the slots overlapping it", () => {
+  const court = {
+    closures: [
+      { startDate: monday, endDate: monday, time: "10:00 AM - 12:00 PM" },
+    ],
+  };
+  const at = (slot) => getScheduleConflict(court, monday, slot);
+
+  // Slots ending as it starts, or starting as it ends, are untouched
+  assert.equal(at(morning), null);
+  assert.equal(at("9:30 AM - 10:30 AM"), "Closed for maintenance");
+  assert.equal(at("11:00 AM - 12:00 PM"), "Closed for maintenance");
+  assert.equal(at("12:00 PM - 1:00 PM"), null);
+});
+
+test("a slot must fit inside one of the day's opening hours", () => {
+  const court = {
+    operatingHours: {
+      monday: ["7:00 AM - 12:00 PM", "4:00 PM - 10:00 PM"],
+      sunday: [],
+    },
+  };
+  const at = (slot, date = monday) => getScheduleConflict(court, date, slot);
+
+  assert.equal(at("7:00 AM - 8:00 AM"), null);
+  assert.equal(at("9:00 PM - 10:00 PM"), null);
+  assert.equal(at("6:00 AM - 7:00 AM"), "Outside opening hours on monday");
+  // Running past closing time, or across the midday break
+  assert.equal(at("9:30 PM - 10:30 PM"), "Outside opening hours on monday");
+  assert.equal(at("11:00 AM - 5:00 PM"), "Outside opening hours on monday");
+  // No hours listed for a day means closed that day
+  assert.equal(at(morning, "2026-11-01"), "Outside opening hours on sunday");
+  assert.equal(at(morning, "2026-11-03"), "Outside opening hours on tuesday");
+});
+
+test("closed slots are listed with their reasons", () => {
+  const court = {
+    closures: [{ startDate: monday, endDate: monday, time: morning }],
+  };
+
+  assert.deepEqual(
+    findClosedSlots(court, monday, [morning, "10:00 AM - 11:00 AM"]),
+    [{ slot: morning, reason: "Closed for maintenance" }]
+  );
+});
@@ -0,0 +1,135 @@
+// In-memory stand-ins for the MongoDB collection methods the modules call,
+// covering only the query and update operators they use
+const { ObjectId } = require("mongodb");
+
+const same = (a, b) => String(a) === String(b);
+
+// Does a field's value meet a condition? An array matches when any element does
+const matchesValue = (value, condition) => {
+  if (
+    condition &&
+    typeof condition === "object" &&
+    !(condition instanceof ObjectId) &&
+    !(condition instanceof Date)
+  ) {
+    if ("$in" in condition) {
+      const values = Array.isArray(value) ? value : [value];
+      return condition.$in.some((entry) =>
+        values.some((item) => same(item, entry))
+      );
+    }
+    if ("$exists" in condition) {
+      return (value !== undefined) === condition.$exists;
+    }
+    if ("$ne" in condition) return !same(value, condition.$ne);
+  }
+  if (condition === null) return value == null;
+  if (Array.isArray(value)) return value.some((item) => same(item, condition));
+  return value !== undefined && same(value, condition);
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) =>
+    matchesValue(doc[key], condition)
+  );
+
+const applyUpdate = (doc, update, inserting) => {
+  if (inserting) Object.assign(doc, update.$setOnInsert);
+  Object.assign(doc, update.$set);
+  for (const key of Object.keys(update.$unset || {})) delete doc[key];
+  for (const [key, value] of Object.entries(update.$push || {})) {
+    doc[key] = [...(doc[key] || []), value];
+  }
+};
+
+const sortDocs = (docs, sort = {}) =>
+  [...docs].sort((a, b) => {
+    for (const [key, direction] of Object.entries(sort)) {
+      if (a[key] < b[key]) return -direction;
+      if (a[key] > b[key]) return direction;
+    }
+    return 0;
+  });
+
+// A collection over `docs`. `unique` lists the fields of a unique index:
+// inserting a second document with the same values fails with code 11000
+const memoryCollection = (docs = [], { unique = [] } = {}) => {
+  const find = (filter) => docs.filter((doc) => matches(doc, filter));
+  const key = (doc) => unique.map((field) => String(doc[field])).join("|");
+
+  const insert = (doc) => {
+    if (unique.length && docs.some((entry) => key(entry) === key(doc))) {
+      throw Object.assign(new Error("E11000 duplicate key error"), {
+        code: 11000,
+      });
+    }
+    const stored = { _id: new ObjectId(), ...doc };
+    docs.push(stored);
+    return stored._id;
+  };
+
+  const remove = (found) => {
+    for (const doc of found) docs.splice(docs.indexOf(doc), 1);
+    return { deletedCount: found.length };
+  };
+
+  return {
+    docs,
+    findOne: async (filter) => {
+      const doc = find(filter)[0];
+      return doc ? { ...doc } : null;
+    },
+    find: (filter) => {
+      const cursor = {
+        project: () => cursor,
+        toArray: async () => find(filter).map((doc) => ({ ...doc })),
+      };
+      return cursor;
+    },
+    insertOne: async (doc) => ({ insertedId: insert(doc) }),
+    // Unordered, like { ordered: false }: every document that can go in does,
+    // then a duplicate fails the call
+    insertMany: async (list) => {
+      let failure;
+      for (const doc of list) {
+        try {
+          insert(doc);
+        } catch (error) {
+          failure = error;
+        }
+      }
+      if (failure) throw failure;
+      return { insertedCount: list.length };
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let doc = sortDocs(find(filter), options.sort)[0];
+      const inserting = !doc && Boolean(options.upsert);
+      if (!doc && !inserting) return null;
+
+      const before = doc && { ...doc };
+      if (inserting) {
+        doc = { _id: new ObjectId() };
+        for (const [key, value] of Object.entries(filter)) {
+          if (typeof value !== "object") doc[key] = value;
+        }
+        docs.push(doc);
+      }
+      applyUpdate(doc, update, inserting);
+      return options.returnDocument === "after" ? { ...doc } : before || null;
+    },
+    updateOne: async (filter, update) => {
+      const doc = find(filter)[0];
+      if (doc) applyUpdate(doc, update, false);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const found = find(filter);
+      found.forEach((doc) => applyUpdate(doc, update, false));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    },
+    deleteOne: async (filter) => remove(find(filter).slice(0, 1)),
+    deleteMany: async (filter) => remove(find(filter)),
+  };
+};
+
+module.exports = { memoryCollection };
@@ -0,0 +1,208 @@
+// The real payment recorders behind the Stripe webhook, posted signed fixture
+// events. Collections are kept in memory and refunds are captured instead of
+// sent, so no database or network is needed
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const stripe = require("stripe")("sk_test_fixture");
+const { createStripeWebhookHandler } = require("../stripeWebhook");
+const { createPaymentRecorder } = require("../payments");
+const { memoryCollection } = require("./helpers/memoryCollection");
+
+const secret = "whsec_fixture";
+
+// A webhook wired to the real recorders, over the given bookings and payments
+const startWebhook = async (t, { bookings = [], payments = [] }) => {
+  const refunds = [];
+  const notifications = [];
+  const bookingsCollection = memoryCollection(bookings);
+  const paymentsCollection = memoryCollection(payments);
+
+  const recorder = createPaymentRecorder({
+    stripe: {
+      refunds: {
+        create: async (params, options) => {
+          refunds.push({ ...params, ...options });
+          return { id: `re_${refunds.length}` };
+        },
+      },
+    },
+    bookingsCollection,
+    paymentsCollection,
+    bookingSeriesCollection: memoryCollection(),
+    // Only the moves a payment makes: approved → paid
+    transitionBooking: async (booking, to, { set = {} } = {}) =>
+      booking.status === "approved" && to === "paid"
+        ? bookingsCollection.findOneAndUpdate(
+            { _id: booking._id, status: booking.status },
+            { $set: { ...set, status: to } },
+            { returnDocument: "after" }
+          )
+        : null,
+    releaseSlotLocks: async () => {},
+    redeemCoupon: async () => {},
+    enqueueNotification: async (email, type, data, { key } = {}) =>
+      notifications.push({ email, type, key }),
+    assignInvoiceNumber: async (payment) => payment,
+  });
+
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.post(
+    "/stripe/webhook",
+    createStripeWebhookHandler({
+      stripe,
+      secret,
+      handlers: {
+        membershipPayment: async () => {},
+        seriesPayment: recorder.recordSeriesPayment,
+        bookingPayment: recorder.recordSucceededPayment,
+        paymentFailed: recorder.recordFailedPayment,
+        chargeRefunded: recorder.recordRefundedCharge,
+      },
+    })
+  );
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => server.close());
+  t.mock.method(console, "warn", () => {});
+
+  const url = `http://127.0.0.1:${server.address().port}/stripe/webhook`;
+  const deliver = (paymentIntent) => {
+    const payload = JSON.stringify({
+      id: `evt_${paymentIntent.id}`,
+      object: "event",
+      type: "payment_intent.succeeded",
+      data: { object: paymentIntent },
+    });
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "stripe-signature": stripe.webhooks.generateTestHeaderString({
+          payload,
+          secret,
+        }),
+      },
+      body: payload,
+    });
+  };
+
+  return {
+    deliver,
+    bookings: bookingsCollection.docs,
+    payments: paymentsCollection.docs,
+    refunds,
+    notifications,
+  };
+};
+
+const bookingId = new ObjectId();
+
+const booking = (fields) => ({
+  _id: bookingId,
+  courtId: "64b000000000000000000001",
+  date: "2026-11-02",
+  slots: ["7:00 AM - 8:00 AM"],
+  userEmail: "player@example.com",
+  ...fields,
+});
+
+const paymentIntent = {
+  id: "pi_booking",
+  amount_received: 4000,
+  created: 1790000000,
+  metadata: { bookingId: String(bookingId), email: "player@example.com" },
+};
+
+test("records a redelivered payment once", async (t) => {
+  const webhook = await startWebhook(t, {
+    bookings: [booking({ status: "approved" })],
+  });
+
+  for (let delivery = 0; delivery < 2; delivery++) {
+    assert.equal((await webhook.deliver(paymentIntent)).status, 200);
+  }
+
+  assert.equal(webhook.bookings[0].status, "paid");
+  assert.equal(webhook.bookings[0].transactionId, "pi_booking");
+  assert.equal(webhook.payments.length, 1);
+  assert.equal(webhook.payments[0].status, "paid");
+  assert.deepEqual(webhook.refunds, []);
+  // Queued under one key, so the outbox keeps a single receipt
+  assert.deepEqual(
+    webhook.notifications.map(({ type, key }) => [type, key]),
+    [
+      ["payment.receipt", "receipt:pi_booking"],
+      ["payment.receipt", "receipt:pi_booking"],
+    ]
+  );
+});
+
+test("doesn't refund a redelivered payment after its booking moved on", async (t) => {
+  for (const status of ["cancelled", "completed"]) {
+    await t.test(status, async (t) => {
+      const webhook = await startWebhook(t, {
+        bookings: [booking({ status, transactionId: "pi_booking" })],
+        payments: [
+          {
+            _id: new ObjectId(),
+            transactionId: "pi_booking",
+            bookingId: String(bookingId),
+            status: status === "cancelled" ? "partially_refunded" : "paid",
+          },
+        ],
+      });
+
+      assert.equal((await webhook.deliver(paymentIntent)).status, 200);
+
+      assert.deepEqual(webhook.refunds, []);
+      assert.equal(webhook.bookings[0].status, status);
+      assert.equal(webhook.payments.length, 1);
+    });
+  }
+});
+
+test("refunds a payment for an expired booking once", async (t) => {
+  const webhook = await startWebhook(t, {
+    bookings: [booking({ status: "expired" })],
+  });
+
+  for (let delivery = 0; delivery < 2; delivery++) {
+    assert.equal((await webhook.deliver(paymentIntent)).status, 200);
+  }
+
+  assert.equal(webhook.refunds.length, 1);
+  assert.equal(webhook.refunds[0].payment_intent, "pi_booking");
+  assert.equal(webhook.refunds[0].amount, 4000);
+  assert.equal(webhook.payments.length, 1);
+  assert.equal(webhook.payments[0].status, "refunded");
+  assert.equal(webhook.payments[0].refundPending, undefined);
+  assert.equal(webhook.bookings[0].status, "expired");
+  assert.deepEqual(webhook.notifications, []);
+});
+
+test("acknowledges a payment without booking metadata", async (t) => {
+  const webhook = await startWebhook(t, {
+    bookings: [booking({ status: "approved" })],
+  });
+
+  const res = await webhook.deliver({
+    ...paymentIntent,
+    id: "pi_elsewhere",
+    metadata: {},
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(webhook.payments, []);
+  assert.deepEqual(webhook.refunds, []);
+  assert.equal(webhook.bookings[0].status, "approved");
+});
@@ -0,0 +1,182 @@
+// Slot prices from a court's base price and its pricing rules
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  priceSlot,
+  getMemberDiscount,
+  getCouponDiscount,
+} = require("../pricing");
+
+const court = (pricingRules) => ({ price: 40, pricingRules });
+
+// 2026-11-02 is a Monday, 2026-11-07 a Saturday
+const monday = "2026-11-02";
+const saturday = "2026-11-07";
+
+test("a court without rules charges its base price", () => {
+  assert.deepEqual(priceSlot({ price: 40 }, monday, "9:00 AM - 10:00 AM"), {
+    cents: 4000,
+    rules: [],
+  });
+});
+
+test("a peak rule applies to slots starting inside its window", () => {
+  const peak = court([{ label: "Peak", time: "6:00 PM - 9:00 PM", price: 60 }]);
+
+  assert.equal(priceSlot(peak, monday, "6:00 PM - 7:00 PM").cents, 6000);
+  assert.equal(priceSlot(peak, monday, "8:00 PM - 9:00 PM").cents, 6000);
+  // The window's end is exclusive, and a slot running into it starts outside
+  assert.equal(priceSlot(peak, monday, "9:00 PM - 10:00 PM").cents, 4000);
+  assert.equal(priceSlot(peak, monday, "5:00 PM - 6:30 PM").cents, 4000);
+});
+
+test("a rule with an unreadable time window or slot doesn't apply", () => {
+  assert.equal(
+    priceSlot(
+      court([{ time: "evenings", price: 60 }]),
+      monday,
+      "6:00 PM - 7:00 PM"
+    ).cents,
+    4000
+  );
+  assert.equal(
+    priceSlot(court([{ time: "6:00 PM - 9:00 PM", price: 60 }]), monday, "late")
+      .cents,
+    4000
+  );
+});
+
+test("a weekend rule applies only on its days", () => {
+  const weekend = court([{ days: ["saturday", "sunday"], surcharge: 10 }]);
+
+  assert.equal(priceSlot(weekend, saturday, "9:00 AM - 10:00 AM").cents, 5000);
+  assert.equal(priceSlot(weekend, monday, "9:00 AM - 10:00 AM").cents, 4000);
+});
+
+test("a seasonal rule applies from its start date to its end date", () => {
+  const winter = court([
+    { startDate: "2026-11-02", endDate: "2026-11-07", adjustPercent: -25 },
+  ]);
+  const price = (date) => priceSlot(winter, date, "9:00 AM - 10:00 AM").cents;
+
+  assert.equal(price("2026-11-01"), 4000);
+  assert.equal(price("2026-11-02"), 3000);
+  assert.equal(price("2026-11-07"), 3000);
+  assert.equal(price("2026-11-08"), 4000);
+});
+
+test("audience rules tell members and non-members apart", () => {
+  const rates = court([
+    { audience: "members", price: 30 },
+    { audience: "non-members", surcharge: 5 },
+  ]);
+  const slot = "9:00 AM - 10:00 AM";
+
+  assert.equal(priceSlot(rates, monday, slot, { member: true }).cents, 3000);
+  assert.equal(priceSlot(rates, monday, slot).cents, 4500);
+});
+
+test("the last matching rule with a price sets the rate", () => {
+  const rates = court([
+    { label: "Weekend", days: ["saturday"], price: 50 },
+    { label: "Peak", time: "6:00 PM - 9:00 PM", price: 70 },
+  ]);
+
+  assert.deepEqual(priceSlot(rates, saturday, "7:00 PM - 8:00 PM"), {
+    cents: 7000,
+    rules: ["Weekend", "Peak"],
+  });
+});
+
+test("percent adjustments and surcharges stack on the rate", () => {
+  const rates = court([
+    { price: 50, adjustPercent: 10 },
+    { adjustPercent: 10, surcharge: 2.5 },
+  ]);
+
+  // 50 plus 20%, then 2.50 on top
+  assert.equal(priceSlot(rates, monday, "9:00 AM - 10:00 AM").cents, 6250);
+});
+
+test("a price never goes below zero", () => {
+  assert.equal(
+    priceSlot(
+      court([{ adjustPercent: -80, surcharge: -20 }]),
+      monday,
+      "9:00 AM - 10:00 AM"
+    ).cents,
+    0
+  );
+});
+
+test("unlabelled rules are named by their position", () => {
+  assert.deepEqual(
+    priceSlot(
+      court([{ days: ["sunday"], price: 10 }, { surcharge: 1 }]),
+      monday,
+      "9:00 AM - 10:00 AM"
+    ).rules,
+    ["Rule 2"]
+  );
+});
+
+test("a member plan discounts its percentage of the subtotal", () => {
+  const gold = { benefits: { discountPercent: 15 } };
+
+  assert.equal(getMemberDiscount(3333, gold), 500);
+  assert.equal(getMemberDiscount(3333, { benefits: {} }), 0);
+  assert.equal(getMemberDiscount(3333, null), 0);
+});
+
+test("a percent coupon takes its share, up to its cap", () => {
+  const tenOff = { discountType: "percent", discountPercent: 10 };
+
+  assert.deepEqual(getCouponDiscount(tenOff, 4550), { discountCents: 455 });
+  assert.deepEqual(getCouponDiscount({ ...tenOff, maxDiscount: 3 }, 4550), {
+    discountCents: 300,
+  });
+});
+
+test("a fixed coupon never takes more than the subtotal", () => {
+  const fiveOff = { discountType: "fixed", discountAmount: 5 };
+
+  assert.deepEqual(getCouponDiscount(fiveOff, 4000), { discountCents: 500 });
+  assert.deepEqual(getCouponDiscount(fiveOff, 300), { discountCents: 300 });
+  // Coupons from before discount types are fixed amounts
+  assert.deepEqual(getCouponDiscount({ discountAmount: 5 }, 4000), {
+    discountCents: 500,
+  });
+});
+
+test("a coupon without a usable amount discounts nothing", () => {
+  assert.deepEqual(getCouponDiscount({}, 4000), { discountCents: 0 });
+  assert.deepEqual(
+    getCouponDiscount(
+      { discountType: "percent", discountPercent: "lots" },
+      4000
+    ),
+    { discountCents: 0 }
+  );
+});
+
+test("a coupon needs its minimum spend", () => {
+  const coupon = { discountAmount: 5, minSpend: 40 };
+
+  assert.deepEqual(getCouponDiscount(coupon, 3999), {
+    error: "A minimum spend of $40 is required",
+  });
+  assert.deepEqual(getCouponDiscount(coupon, 4000), { discountCents: 500 });
+});
+
+test("a coupon applies to what's left after the member discount", () => {
+  const subtotalCents = 10000;
+  const memberDiscountCents = getMemberDiscount(subtotalCents, {
+    benefits: { discountPercent: 20 },
+  });
+  const { discountCents } = getCouponDiscount(
+    { discountType: "percent", discountPercent: 50 },
+    subtotalCents - memberDiscountCents
+  );
+
+  assert.equal(subtotalCents - memberDiscountCents - discountCents, 4000);
+});
@@ -0,0 +1,205 @@
+// Slot locking against in-memory collections with the unique court/date/slot
+// index, so overlapping bookings and races behave as they would in MongoDB
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createSlotLocks } = require("../slotLocks");
+const { memoryCollection } = require("./helpers/memoryCollection");
+
+const courtId = "64b000000000000000000001";
+const date = "2030-06-03";
+const nine = "9:00 AM - 10:00 AM";
+const ten = "10:00 AM - 11:00 AM";
+
+const setup = ({ locks = [], bookings = [], waitlist = [] } = {}) => {
+  const published = [];
+  const notifications = [];
+  const slotLocksCollection = memoryCollection(locks, {
+    unique: ["courtId", "date", "slot"],
+  });
+  const waitlistCollection = memoryCollection(waitlist);
+
+  return {
+    ...createSlotLocks({
+      slotLocksCollection,
+      bookingsCollection: memoryCollection(bookings),
+      waitlistCollection,
+      publishSlotChange: (court, day, slots) => published.push(slots),
+      enqueueNotification: async (email, type) =>
+        notifications.push({ email, type }),
+      holdMinutes: 60,
+    }),
+    locks: slotLocksCollection.docs,
+    waitlist: waitlistCollection.docs,
+    published,
+    notifications,
+  };
+};
+
+const booking = (slots, fields) => ({
+  _id: new ObjectId(),
+  courtId,
+  date,
+  slots,
+  userEmail: "player@example.com",
+  status: "pending",
+  ...fields,
+});
+
+const heldSlots = (locks, bookingId) =>
+  locks
+    .filter((lock) => lock.bookingId === String(bookingId))
+    .map((lock) => lock.slot);
+
+test("a booking takes free slots", async () => {
+  const slots = setup();
+  const first = booking([nine, ten]);
+
+  assert.deepEqual(await slots.acquireSlotLocks(first), []);
+  assert.deepEqual(heldSlots(slots.locks, first._id), [nine, ten]);
+  assert.deepEqual(slots.published, [[nine, ten]]);
+
+  // Locking again, e.g. on approval, keeps the same locks
+  assert.deepEqual(await slots.acquireSlotLocks(first), []);
+  assert.equal(slots.locks.length, 2);
+});
+
+test("a booking can't take a slot another booking holds", async () => {
+  const slots = setup();
+  const first = booking([nine]);
+  const second = booking([nine, ten], { userEmail: "other@example.com" });
+
+  await slots.acquireSlotLocks(first);
+
+  assert.deepEqual(await slots.acquireSlotLocks(second), [nine]);
+  assert.deepEqual(heldSlots(slots.locks, first._id), [nine]);
+  assert.deepEqual(heldSlots(slots.locks, second._id), []);
+});
+
+test("only one of two bookings racing for a slot gets it", async () => {
+  const slots = setup();
+  const first = booking([nine]);
+  const second = booking([ten, nine], { userEmail: "other@example.com" });
+
+  const results = await Promise.all([
+    slots.acquireSlotLocks(first),
+    slots.acquireSlotLocks(second),
+  ]);
+
+  assert.deepEqual(results, [[], [nine]]);
+  // The loser gives back the slot it did get
+  assert.deepEqual(heldSlots(slots.locks, first._id), [nine]);
+  assert.deepEqual(heldSlots(slots.locks, second._id), []);
+  assert.equal(slots.locks.length, 1);
+});
+
+test("active bookings from before slot locks still block their slots", async () => {
+  const legacy = booking([ten], { status: "paid" });
+  const slots = setup({
+    bookings: [legacy, booking([nine], { status: "cancelled" })],
+  });
+  const next = booking([nine, ten]);
+
+  assert.deepEqual(await slots.acquireSlotLocks(next), [ten]);
+  assert.deepEqual(slots.locks, []);
+
+  // A cancelled legacy booking frees its slot
+  assert.deepEqual(await slots.acquireSlotLocks(booking([nine])), []);
+});
+
+test("a waitlist hold is kept for its user", async () => {
+  const waitlistId = new ObjectId();
+  const slots = setup({
+    locks: [
+      {
+        _id: new ObjectId(),
+        courtId,
+        date,
+        slot: nine,
+        bookingId: null,
+        holdFor: "waiting@example.com",
+        waitlistId: String(waitlistId),
+        expiresAt: new Date("2030-06-01T10:00:00Z"),
+      },
+    ],
+    waitlist: [{ _id: waitlistId, email: "waiting@example.com" }],
+  });
+
+  assert.deepEqual(await slots.acquireSlotLocks(booking([nine])), [nine]);
+
+  const theirs = booking([nine], { userEmail: "waiting@example.com" });
+  assert.deepEqual(await slots.acquireSlotLocks(theirs), []);
+
+  const [lock] = slots.locks;
+  assert.equal(lock.bookingId, String(theirs._id));
+  assert.equal(lock.holdFor, undefined);
+  assert.equal(lock.expiresAt, undefined);
+  assert.equal(slots.waitlist[0].status, "booked");
+  assert.equal(slots.waitlist[0].bookingId, String(theirs._id));
+});
+
+test("released slots go to the first user waiting on each", async () => {
+  const waiting = (email, createdAt, slot = nine) => ({
+    _id: new ObjectId(),
+    courtId,
+    date,
+    slot,
+    email,
+    status: "waiting",
+    createdAt: new Date(createdAt),
+  });
+  const slots = setup({
+    waitlist: [
+      waiting("second@example.com", "2030-05-02T00:00:00Z"),
+      waiting("first@example.com", "2030-05-01T00:00:00Z"),
+    ],
+  });
+  const cancelled = booking([nine, ten]);
+  await slots.acquireSlotLocks(cancelled);
+  slots.published.length = 0;
+
+  await slots.releaseSlotLocks(cancelled._id);
+
+  assert.deepEqual(heldSlots(slots.locks, cancelled._id), []);
+  // Nobody waits on ten, so it's simply free again
+  assert.deepEqual(
+    slots.locks.map(({ slot, holdFor }) => [slot, holdFor]),
+    [[nine, "first@example.com"]]
+  );
+  assert.deepEqual(
+    slots.waitlist.map(({ email, status }) => [email, status]),
+    [
+      ["second@example.com", "waiting"],
+      ["first@example.com", "offered"],
+    ]
+  );
+  assert.deepEqual(slots.notifications, [
+    { email: "first@example.com", type: "waitlist.offered" },
+  ]);
+  assert.deepEqual(slots.published, [[nine], [ten]]);
+});
+
+test("slots on past dates aren't offered to the waitlist", async () => {
+  const past = "2020-06-01";
+  const slots = setup({
+    waitlist: [
+      {
+        _id: new ObjectId(),
+        courtId,
+        date: past,
+        slot: nine,
+        email: "late@example.com",
+        status: "waiting",
+        createdAt: new Date("2020-05-01T00:00:00Z"),
+      },
+    ],
+  });
+  const old = booking([nine], { date: past });
+  await slots.acquireSlotLocks(old);
+
+  await slots.releaseSlotLocks(old._id);
+
+  assert.deepEqual(slots.locks, []);
+  assert.equal(slots.waitlist[0].status, "waiting");
+  assert.deepEqual(slots.notifications, []);
+});
@@ -0,0 +1,154 @@
+// The Stripe webhook against signed fixture events, with stand-in handlers.
+// Signatures are made and checked locally, so no network access is needed
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const stripe = require("stripe")("sk_test_fixture");
+const { createStripeWebhookHandler } = require("../stripeWebhook");
+
+const secret = "whsec_fixture";
+const calls = [];
+
+const record = (name) => async (object) => {
+  if (object.metadata?.fail) throw new Error("handler failed");
+  calls.push({ name, id: object.id });
+};
+
+const app = express();
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.post(
+  "/stripe/webhook",
+  createStripeWebhookHandler({
+    stripe,
+    secret,
+    handlers: {
+      membershipPayment: record("membershipPayment"),
+      seriesPayment: record("seriesPayment"),
+      bookingPayment: record("bookingPayment"),
+      paymentFailed: record("paymentFailed"),
+      chargeRefunded: record("chargeRefunded"),
+    },
+  })
+);
+
+let server;
+let url;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  url = `http://127.0.0.1:${server.address().port}/stripe/webhook`;
+});
+
+after(() => server.close());
+
+const fixtureEvent = (type, object) =>
+  JSON.stringify({
+    id: `evt_${type}`,
+    object: "event",
+    type,
+    data: { object },
+  });
+
+// Post an event signed with `signingSecret`
+const post = (payload, signingSecret = secret) =>
+  fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "stripe-signature": stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: signingSecret,
+      }),
+    },
+    body: payload,
+  });
+
+const delivered = async (payload) => {
+  calls.length = 0;
+  const res = await post(payload);
+  assert.equal(res.status, 200);
+  return calls;
+};
+
+test("routes succeeded payments by their metadata", async () => {
+  assert.deepEqual(
+    await delivered(
+      fixtureEvent("payment_intent.succeeded", {
+        id: "pi_booking",
+        metadata: { bookingId: "64b000000000000000000001" },
+      })
+    ),
+    [{ name: "bookingPayment", id: "pi_booking" }]
+  );
+
+  assert.deepEqual(
+    await delivered(
+      fixtureEvent("payment_intent.succeeded", {
+        id: "pi_series",
+        metadata: { seriesId: "64b000000000000000000002" },
+      })
+    ),
+    [{ name: "seriesPayment", id: "pi_series" }]
+  );
+
+  assert.deepEqual(
+    await delivered(
+      fixtureEvent("payment_intent.succeeded", {
+        id: "pi_membership",
+        metadata: { type: "membership", planId: "64b000000000000000000003" },
+      })
+    ),
+    [{ name: "membershipPayment", id: "pi_membership" }]
+  );
+});
+
+test("routes failed payments and refunds", async () => {
+  assert.deepEqual(
+    await delivered(
+      fixtureEvent("payment_intent.payment_failed", { id: "pi_failed" })
+    ),
+    [{ name: "paymentFailed", id: "pi_failed" }]
+  );
+
+  assert.deepEqual(
+    await delivered(fixtureEvent("charge.refunded", { id: "ch_refunded" })),
+    [{ name: "chargeRefunded", id: "ch_refunded" }]
+  );
+});
+
+test("acknowledges events it doesn't act on", async () => {
+  assert.deepEqual(
+    await delivered(fixtureEvent("customer.created", { id: "cus_1" })),
+    []
+  );
+});
+
+test("rejects events with a bad signature", async () => {
+  calls.length = 0;
+  const res = await post(
+    fixtureEvent("payment_intent.succeeded", { id: "pi_forged" }),
+    "whsec_wrong"
+  );
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(calls, []);
+});
+
+test("answers 500 so Stripe retries when a handler fails", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const res = await post(
+    fixtureEvent("payment_intent.succeeded", {
+      id: "pi_retry",
+      metadata: { fail: "yes" },
+    })
+  );
+
+  assert.equal(res.status, 500);
+});